@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = path.join(os.tmpdir(), `bc-test-${process.pid}`);
+const { diffImportRow, importPatchBody } = require('../server');
+
+const video = {
+  id: '1000000001', name: 'Keynote', description: 'Old text', tags: ['a', 'b'],
+  custom_fields: { product: 'crm', owner: 'ops' }
+};
+const schema = [
+  { id: 'product', type: 'enum', enum_values: ['crm', 'bpm'] },
+  { id: 'owner', type: 'string', required: true }
+];
+const row = (set = {}, custom = {}) => ({ row: 2, id: video.id, set, custom });
+
+test('unchanged values produce no changes', () => {
+  assert.deepEqual(diffImportRow(row({ name: 'Keynote', tags: 'a, b' }, { product: 'crm' }), video, schema), { errors: [], changes: [] });
+});
+
+test('changed fields report before and after', () => {
+  const { errors, changes } = diffImportRow(row({ description: 'New text', tags: 'b, c, B' }, { product: 'bpm' }), video, schema);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(changes, [
+    { field: 'description', before: 'Old text', after: 'New text' },
+    { field: 'tags', before: 'a, b', after: 'b, c' },
+    { field: 'cf.product', before: 'crm', after: 'bpm' }
+  ]);
+});
+
+test('clearing a field diffs against the empty string', () => {
+  const { changes } = diffImportRow(row({ description: '' }), video, schema);
+  assert.deepEqual(changes, [{ field: 'description', before: 'Old text', after: '' }]);
+});
+
+test('any error drops the whole row', () => {
+  const cases = [
+    [row({ name: '' }), /Name cannot be cleared/],
+    [row({ name: 'x'.repeat(256) }), /Name is longer/],
+    [row({ description: 'x'.repeat(251) }), /Description is longer/],
+    [row({ tags: 'x'.repeat(129) }), /longer than 128/],
+    [row({}, { colour: 'red' }), /Unknown custom field "colour"/],
+    [row({}, { owner: '' }), /"owner" is required/],
+    [row({}, { product: 'erp' }), /not an allowed value/]
+  ];
+  for (const [input, message] of cases) {
+    const { errors, changes } = diffImportRow({ ...input, set: { description: 'New text', ...input.set } }, video, schema);
+    assert.match(errors.join(' '), message);
+    assert.deepEqual(changes, []);
+  }
+});
+
+test('without a schema, custom field names are not checked', () => {
+  const { errors, changes } = diffImportRow(row({}, { colour: 'red' }), video, null);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(changes, [{ field: 'cf.colour', before: '', after: 'red' }]);
+});
+
+test('importPatchBody sends tags as a list and custom fields whole', () => {
+  const { changes } = diffImportRow(row({ description: '', tags: 'c' }, { product: 'bpm' }), video, schema);
+  assert.deepEqual(importPatchBody(changes, video), {
+    description: null,
+    tags: ['c'],
+    custom_fields: { product: 'bpm', owner: 'ops' }
+  });
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+process.env.DATA_DIR = path.join(os.tmpdir(), `bc-test-${process.pid}`);
+const { crc32, encodePNG, rasterizeScene, renderChartPNGBuiltin } = require('../server');
+
+// PNG -> [{ type, data, crcOk }]
+function chunks(png) {
+  const out = [];
+  for (let o = 8; o < png.length;) {
+    const len = png.readUInt32BE(o), type = png.toString('ascii', o + 4, o + 8);
+    const data = png.subarray(o + 8, o + 8 + len);
+    out.push({ type, data, crcOk: png.readUInt32BE(o + 8 + len) === crc32(png.subarray(o + 4, o + 8 + len)) });
+    o += 12 + len;
+  }
+  return out;
+}
+// Scene on a white background -> function (x, y) giving the [r, g, b] pixel.
+function draw(width, height, shapes) {
+  const px = rasterizeScene({ width, height, shapes: [{ t: 'rect', x: 0, y: 0, w: width, h: height, fill: '#ffffff' }, ...shapes] });
+  return (x, y) => [...px.subarray((y * width + x) * 3, (y * width + x) * 3 + 3)];
+}
+const text = (str, x = 0) => ({ t: 'text', x, y: 8, text: str, size: 8, anchor: 'start', fill: '#000000' });
+
+test('crc32 matches the standard check value', () => {
+  assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+  assert.equal(crc32(Buffer.alloc(0)), 0);
+});
+
+test('encodePNG writes a valid signature, chunks and pixel data', () => {
+  const rgb = new Uint8Array([255, 0, 0, 0, 255, 0, 0, 0, 255, 10, 20, 30]);
+  const png = encodePNG(2, 2, rgb);
+  assert.deepEqual([...png.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  const list = chunks(png);
+  assert.deepEqual(list.map(c => c.type), ['IHDR', 'IDAT', 'IEND']);
+  assert.ok(list.every(c => c.crcOk));
+  const ihdr = list[0].data;
+  assert.deepEqual([ihdr.readUInt32BE(0), ihdr.readUInt32BE(4), ihdr[8], ihdr[9]], [2, 2, 8, 2]);
+  const raw = zlib.inflateSync(list[1].data);
+  assert.deepEqual([...raw], [0, 255, 0, 0, 0, 255, 0, 0, 0, 0, 255, 10, 20, 30]);
+});
+
+test('the bitmap font draws glyph columns at the baseline', () => {
+  const px = draw(8, 10, [text('I')]);
+  // "I" is a full middle column with serifs on rows 0 and 6; y is the baseline, so rows 1-7.
+  for (let y = 1; y <= 7; y++) assert.deepEqual(px(2, y), [0, 0, 0]);
+  assert.deepEqual(px(1, 1), [0, 0, 0]);
+  assert.deepEqual(px(1, 4), [255, 255, 255]);
+  assert.deepEqual(px(2, 0), [255, 255, 255]);
+  assert.deepEqual(px(2, 8), [255, 255, 255]);
+});
+
+test('glyphs advance six font pixels and unknown characters render as "?"', () => {
+  const a = draw(14, 10, [text('II')]);
+  for (let y = 1; y <= 7; y++) assert.deepEqual(a(8, y), [0, 0, 0]);
+  const b = draw(8, 10, [text('日')]), q = draw(8, 10, [text('?')]);
+  for (let y = 0; y < 10; y++) for (let x = 0; x < 8; x++) assert.deepEqual(b(x, y), q(x, y));
+});
+
+test('renderChartPNGBuiltin produces a decodable PNG of the requested size', () => {
+  const png = renderChartPNGBuiltin({ type: 'bar', title: 'Views → top 3', labels: ['a', 'b', 'c'], values: [3, 2, 1], width: 320, height: 200 });
+  const list = chunks(png);
+  assert.ok(list.every(c => c.crcOk));
+  assert.deepEqual([list[0].data.readUInt32BE(0), list[0].data.readUInt32BE(4)], [320, 200]);
+  assert.equal(zlib.inflateSync(Buffer.concat(list.filter(c => c.type === 'IDAT').map(c => c.data))).length, (320 * 3 + 1) * 200);
+});
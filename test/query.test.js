@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = path.join(os.tmpdir(), `bc-test-${process.pid}`);
+const { parseQuery, matchesQuery, QueryParseError } = require('../server');
+
+const video = (over = {}) => ({
+  id: '1000000001', name: 'Pega World keynote', state: 'ACTIVE',
+  tags: ['Pega Platform', 'keynote'], custom_fields: { product: 'crm' },
+  created_at: '2024-03-10T12:00:00Z', published_at: '2024-03-12T12:00:00Z', ...over
+});
+
+test('bare IDs and id: terms collect into ids', () => {
+  const q = parseQuery('1000000001, id:1000000002 1000000003');
+  assert.deepEqual(q.ids, ['1000000001', '1000000002', '1000000003']);
+  assert.equal(q.clauses.length, 0);
+  assert.ok(q.hasCriteria);
+});
+
+test('bare words are tags and clauses are ANDed', () => {
+  const q = parseQuery('keynote, tag:"pega platform"');
+  assert.deepEqual(q.tagTerms, ['keynote', 'pega platform']);
+  assert.ok(matchesQuery(video(), q));
+  assert.ok(!matchesQuery(video({ tags: ['keynote'] }), q));
+});
+
+test('OR groups match any alternative', () => {
+  const q = parseQuery('tag:webinar OR cf.product:CRM');
+  assert.equal(q.clauses[0].any.length, 2);
+  assert.ok(matchesQuery(video(), q));
+  assert.ok(!matchesQuery(video({ custom_fields: { product: 'bpm' } }), q));
+});
+
+test('negated clauses exclude matches', () => {
+  const q = parseQuery('keynote, -title:world');
+  assert.ok(!matchesQuery(video(), q));
+  assert.ok(matchesQuery(video({ name: 'Keynote recap' }), q));
+});
+
+test('quoted values keep commas and OR', () => {
+  const q = parseQuery('title:"a, b OR c"');
+  assert.deepEqual(q.clauses, [{ negate: false, any: [{ field: 'title', value: 'a, b OR c' }] }]);
+});
+
+test('state and date filters narrow the match', () => {
+  const q = parseQuery('keynote, state:all, created:2024-03-01..2024-03-31');
+  assert.equal(q.state, 'ALL');
+  assert.deepEqual(q.created, { from: '2024-03-01', to: '2024-03-31' });
+  assert.ok(matchesQuery(video({ state: 'INACTIVE' }), q));
+  assert.ok(!matchesQuery(video({ created_at: '2024-04-01T00:00:00Z' }), q));
+  assert.ok(!matchesQuery(video({ state: 'INACTIVE' }), parseQuery('keynote')));
+});
+
+test('skipPositive only applies the exclusions', () => {
+  const q = parseQuery('tag:missing, -tag:internal');
+  assert.ok(matchesQuery(video(), q, { skipPositive: true }));
+  assert.ok(!matchesQuery(video({ tags: ['internal'] }), q, { skipPositive: true }));
+});
+
+test('malformed queries throw QueryParseError', () => {
+  for (const bad of [
+    '-keynote',                    // exclusions only
+    '-tag:a OR tag:b',             // negated OR group
+    'title:"unbalanced',
+    'id:123',                      // not a video ID
+    'state:archived',
+    'created:2024-05-01..2024-04-01',
+    'state:all, state:active',
+    '1000000001 OR tag:a',
+  ]) {
+    assert.throws(() => parseQuery(bad), QueryParseError, bad);
+  }
+});
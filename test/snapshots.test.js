@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'bc-test-'));
+process.env.SNAPSHOT_TZ = 'UTC';
+const { snapshotBaseline, snapshotSeries, writeSnapshot } = require('../server');
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const AID = '123';
+const snap = (date, views) => writeSnapshot(AID, {
+  date, videos: Object.fromEntries(Object.entries(views).map(([id, v]) => [id, { views: v, impressions: 0, secondsViewed: 0, createdAt: null }]))
+});
+
+test('snapshotBaseline uses the earlier snapshot when there is one', () => {
+  const before = { views: 7, impressions: 1, secondsViewed: 2 };
+  assert.equal(snapshotBaseline(before, '2025-01-10T00:00:00Z', '2025-01-01'), before);
+});
+
+test('snapshotBaseline starts from zero only for videos created inside the window', () => {
+  assert.deepEqual(snapshotBaseline(undefined, '2025-01-01T08:00:00Z', '2025-01-01'), { views: 0, impressions: 0, secondsViewed: 0 });
+  assert.equal(snapshotBaseline(undefined, '2024-12-31T23:00:00Z', '2025-01-01'), null);
+  assert.equal(snapshotBaseline(undefined, null, '2025-01-01'), null);
+});
+
+test('snapshotSeries buckets growth and leaves gaps null', async () => {
+  await snap('2025-01-01', { v1: 100 });
+  await snap('2025-01-02', { v1: 110 });
+  // no snapshot for 2025-01-03
+  await snap('2025-01-04', { v1: 130, v2: 5 });
+  await snap('2025-01-05', { v1: 125, v2: 8, v3: 50 });
+
+  const videos = [
+    { id: 'v1', created_at: '2024-01-01T00:00:00Z' },
+    { id: 'v2', created_at: '2025-01-04T10:00:00Z' }, // created inside the window
+    { id: 'v3', created_at: '2024-06-01T00:00:00Z' }, // older, but missing from earlier snapshots
+    { id: 'v4', created_at: '2024-06-01T00:00:00Z' }  // never recorded
+  ];
+  const series = await snapshotSeries(videos, AID, { mode: 'range', from: '2025-01-02', to: '2025-01-05' }, 'daily');
+  const views = id => series.get(id).points.map(p => p.views);
+
+  assert.deepEqual(series.get('v1').points.map(p => p.period), ['2025-01-02', '2025-01-03', '2025-01-04', '2025-01-05']);
+  assert.equal(series.get('v1').source, 'snapshots');
+  // 01-03 has no end snapshot and 01-04 no start snapshot; a drop in the counter clamps to 0.
+  assert.deepEqual(views('v1'), [10, null, null, 0]);
+  assert.deepEqual(views('v2'), [null, null, null, 3]);
+  assert.deepEqual(views('v3'), [null, null, null, null]);
+  assert.equal(series.has('v4'), false);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = path.join(os.tmpdir(), `bc-test-${process.pid}`);
+const { validateTagOps, applyTagOps } = require('../server');
+
+const ops = input => {
+  const { ops, error } = validateTagOps(input);
+  assert.equal(error, undefined);
+  return ops;
+};
+
+test('validateTagOps splits comma lists and trims', () => {
+  assert.deepEqual(ops({ add: 'a, b,,', remove: [' c '] }), { add: ['a', 'b'], remove: ['c'], rename: [] });
+});
+
+test('validateTagOps rejects empty, incomplete and oversized input', () => {
+  assert.match(validateTagOps({}).error, /at least one tag/);
+  assert.match(validateTagOps({ rename: [{ from: 'a' }] }).error, /"from" and "to"/);
+  assert.match(validateTagOps({ add: 'x'.repeat(129) }).error, /longer than 128/);
+});
+
+test('renames, then removals, then additions', () => {
+  const out = applyTagOps(['old', 'drop', 'keep'], ops({ rename: [{ from: 'old', to: 'new' }], remove: 'drop,new', add: 'added' }));
+  assert.deepEqual(out, ['keep', 'added']);
+});
+
+test('matching ignores case and keeps the first spelling', () => {
+  const out = applyTagOps(['Pega', 'Webinar'], ops({ rename: [{ from: 'pega', to: 'PEGA Platform' }], remove: 'WEBINAR', add: 'pega platform, Extra' }));
+  assert.deepEqual(out, ['PEGA Platform', 'Extra']);
+});
+
+test('renaming onto an existing tag merges the two', () => {
+  assert.deepEqual(applyTagOps(['a', 'b'], ops({ rename: [{ from: 'a', to: 'B' }] })), ['B']);
+});
+
+test('untouched tags keep their order', () => {
+  assert.deepEqual(applyTagOps(['z', 'y', 'x'], ops({ remove: 'nothing' })), ['z', 'y', 'x']);
+});